@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// SwarmAI bundled distribution. Source code is proprietary.
+import { createRequire as __swarmAiCreateRequire } from 'node:module';
+const require = __swarmAiCreateRequire(import.meta.url);
+
+import b from"pino";import{existsSync as se,mkdirSync as ce,statSync as G,renameSync as de,readdirSync as le,unlinkSync as me,createWriteStream as U,chmodSync as ue}from"node:fs";import{join as P}from"node:path";var W=!1,N=b({level:"info"});function pe(i={}){let e=i.level??process.env.SWARMAI_LOG_LEVEL??"info",t=i.pretty??!1,n=[],r=t?b.transport({target:"pino-pretty",options:{colorize:!0,translateTime:"SYS:HH:MM:ss",ignore:"pid,hostname"}}):b.destination(1);n.push({stream:r}),i.file&&i.file.dir&&n.push({stream:J(i.file)}),i.errorFile&&i.errorFile.dir&&n.push({level:"error",stream:J(i.errorFile)});let o={level:e};if(i.redactor){let a=i.redactor;o.formatters={log:s=>a(s)}}return N=n.length>1?b(o,b.multistream(n)):b(o,n[0].stream),W=!0,N}function J(i){let e=i.dir;se(e)||ce(e,{recursive:!0});let t=i.stem??"swarmai",n=i.rotateAtBytes??10*1024*1024,r=i.retentionDays??14,o=y=>{try{ue(y,384)}catch{}},a=K(e,t),s=U(a,{flags:"a"});o(a);let m=B(),p=y=>{let h=B();if(h!==m){s.end(),m=h,a=K(e,t),s=U(a,{flags:"a"}),o(a),fe(e,t,r);return}if(n>0){let d=0;try{d=G(a).size}catch{}if(d+y>n){s.end();let u=new Date().toISOString().replace(/[:.]/g,"-").slice(0,19),I=P(e,`${t}-${m}-${u}.log`);try{de(a,I),o(I)}catch{}s=U(a,{flags:"a"}),o(a)}}};return{write(y){let h=typeof y=="string"?Buffer.byteLength(y):y.byteLength;p(h),s.write(y)}}}function B(i=new Date){return i.toISOString().slice(0,10)}function K(i,e){return P(i,`${e}-${B()}.log`)}function fe(i,e,t){if(t<=0)return;let n=Date.now()-t*864e5;try{for(let r of le(i))if(r.startsWith(e+"-")&&r.endsWith(".log"))try{let o=P(i,r);G(o).mtimeMs<n&&me(o)}catch{}}catch{}}var f=new Proxy({},{get(i,e){return W||pe({}),N[e]}});import{z as v}from"zod";var M=v.object({homeserverUrl:v.string().url().transform(i=>i.replace(/\/+$/,"")),userId:v.string().regex(/^@[^:]+:.+$/,"userId must look like @name:server").optional(),encryption:v.boolean().default(!0),cryptoStorePath:v.string().optional(),invitePolicy:v.enum(["pairing","open","closed"]).default("pairing"),respondToMentions:v.boolean().default(!0),markRead:v.boolean().default(!0),typingIndicator:v.boolean().default(!0),syncTimeoutMs:v.number().int().positive().max(12e4).default(3e4),reconnectBaseBackoffMs:v.number().int().positive().default(1e3),reconnectMaxBackoffMs:v.number().int().positive().default(6e4),replyTtlSec:v.number().int().positive().default(1800),maxDownloadBytes:v.number().int().positive().default(25*1024*1024),selfDisplayName:v.string().optional()}),R=v.object({accessToken:v.string().min(8)});import{EventEmitter as ve}from"node:events";import{randomBytes as Ie}from"node:crypto";import{createCipheriv as ye,createDecipheriv as he,createHash as V,randomBytes as H}from"node:crypto";import{mkdirSync as ge}from"node:fs";var A=null;async function we(){if(A)return A;try{let i=await import("@matrix-org/matrix-sdk-crypto-nodejs");return A=i.OlmMachine?i:i.default??i,A}catch(i){throw new Error(`matrix: \`@matrix-org/matrix-sdk-crypto-nodejs\` is not installed. Run \`pnpm add @matrix-org/matrix-sdk-crypto-nodejs\` in the consuming app, or set \`encryption: false\` under channels.matrix in vault.json to run without end-to-end encrypted rooms.
+Original error: ${i instanceof Error?i.message:String(i)}`)}}function F(){return{async open({userId:i,deviceId:e,storePath:t,call:n}){let r=await we();ge(t,{recursive:!0});let o=await r.OlmMachine.initialize(new r.UserId(i),new r.DeviceId(e),t),a=Promise.resolve(),s=d=>{let u=a.then(d,d);return a=u.catch(()=>{}),u},m=encodeURIComponent,p=d=>{let u=JSON.parse(d.body);switch(d.type){case r.RequestType.KeysUpload:return n("POST","/_matrix/client/v3/keys/upload",u);case r.RequestType.KeysQuery:return n("POST","/_matrix/client/v3/keys/query",u);case r.RequestType.KeysClaim:return n("POST","/_matrix/client/v3/keys/claim",u);case r.RequestType.SignatureUpload:return n("POST","/_matrix/client/v3/keys/signatures/upload",u);case r.RequestType.ToDevice:return n("PUT",`/_matrix/client/v3/sendToDevice/${m(d.eventType)}/${m(d.txnId)}`,u);case r.RequestType.RoomMessage:return n("PUT",`/_matrix/client/v3/rooms/${m(d.roomId)}/send/${m(d.eventType)}/${m(d.txnId)}`,u);case r.RequestType.KeysBackup:return n("PUT",`/_matrix/client/v3/room_keys/keys?version=${m(d.version)}`,u);default:throw new Error(`matrix: unknown crypto request type ${d.type}`)}},y=async d=>{let u=await p(d);await o.markRequestAsSent(d.id,d.type,JSON.stringify(u??{}))},h=async()=>{for(let d of await o.outgoingRequests())try{await y(d)}catch(u){f.warn({err:u instanceof Error?u.message:String(u),type:d.type},"matrix: crypto request failed \u2014 retried on the next sync")}};return await s(h),{sync:d=>s(async()=>{await o.receiveSyncChanges(JSON.stringify(d.toDevice),new r.DeviceLists(d.changed.map(u=>new r.UserId(u)),d.left.map(u=>new r.UserId(u))),d.otkCounts,d.fallbackKeys),await h()}),decrypt:(d,u)=>s(async()=>{let I=await o.decryptRoomEvent(JSON.stringify(u),new r.RoomId(d));return JSON.parse(I.event)}),encrypt:(d,u,I,O)=>s(async()=>{let S=O.map(_=>new r.UserId(_)),E=new r.RoomId(d);await o.updateTrackedUsers(S),await h();let $=await o.getMissingSessions(S);$&&await y($);for(let _ of await o.shareRoomKey(E,S,new r.EncryptionSettings))await y(_);return JSON.parse(await o.encryptRoomEvent(E,u,JSON.stringify(I)))}),close(){try{o.close?.()}catch{}}}}}}function j(i){return i.toString("base64").replace(/=+$/,"")}function Z(i){return Buffer.from(i.replace(/-/g,"+").replace(/_/g,"/"),"base64")}function L(i){let e=H(32),t=Buffer.concat([H(8),Buffer.alloc(8)]),n=ye("aes-256-ctr",e,t),r=Buffer.concat([n.update(i),n.final()]);return{data:r,file:{v:"v2",key:{kty:"oct",key_ops:["encrypt","decrypt"],alg:"A256CTR",k:e.toString("base64url"),ext:!0},iv:j(t),hashes:{sha256:j(V("sha256").update(r).digest())}}}}function z(i,e){if(!e?.key?.k||!e.iv||!e.hashes?.sha256)throw new Error("encrypted attachment is missing key material");if(e.key.alg!=="A256CTR")throw new Error(`unsupported attachment cipher ${e.key.alg}`);if(j(V("sha256").update(i).digest())!==e.hashes.sha256.replace(/=+$/,""))throw new Error("encrypted attachment hash mismatch");let n=he("aes-256-ctr",Z(e.key.k),Z(e.iv));return Buffer.concat([n.update(i),n.final()])}var x=class extends Error{constructor(e,t,n){super(n),this.status=e,this.errcode=t}status;errcode};function q(i){return i instanceof x&&(i.errcode==="M_UNKNOWN_TOKEN"||i.errcode==="M_MISSING_TOKEN")}var C=class extends ve{config;accessToken;fetchImpl;cryptoAdapter;crypto=null;status="idle";self=null;since=null;rooms=new Map;direct=new Map;members=new Map;seen=new Set;consecutiveFailures=0;stopRequested=!1;abort=null;loop=null;txn=0;constructor(e){super(),this.config=e.config,this.accessToken=e.accessToken,this.fetchImpl=e.fetchImpl??((t,n)=>globalThis.fetch(t,n)),this.cryptoAdapter=e.cryptoAdapter??F()}getStatus(){return this.status}getSelf(){return this.self}isEncrypted(e){return this.rooms.get(e)?.encrypted===!0}cryptoReady(){return this.crypto!==null}async call(e,t,n,r={}){let o={authorization:`Bearer ${this.accessToken}`},a;r.raw!==void 0?(a=r.raw,o["content-type"]=r.contentType??"application/octet-stream"):n!==void 0&&(a=JSON.stringify(n),o["content-type"]="application/json");let s=await this.fetchImpl(`${this.config.homeserverUrl}${t}`,{method:e,headers:o,...a!==void 0?{body:a}:{},...r.signal?{signal:r.signal}:{}});if(r.binary&&s.ok)return Buffer.from(await s.arrayBuffer());let m=await s.text(),p={};try{p=m?JSON.parse(m):{}}catch{p={}}if(!s.ok)throw new x(s.status,p.errcode??null,`${e} ${t.split("?")[0]}: ${p.error??`HTTP ${s.status}`}`);return p}async start(){this.stopRequested=!1,this.setStatus("connecting"),this.emit("connecting");let e;try{e=await this.call("GET","/_matrix/client/v3/account/whoami")}catch(t){let n=t instanceof Error?t.message:String(t);if(q(t)){this.setStatus("session-expired"),this.emit("session-expired",{detail:n});return}throw t}if(this.config.userId&&e.user_id!==this.config.userId)throw new Error(`matrix: access token belongs to ${e.user_id}, not ${this.config.userId}`);this.self={userId:e.user_id,deviceId:e.device_id??null},this.config.encryption&&await this.openCrypto(),this.loop=this.run()}async openCrypto(){if(!this.self.deviceId){f.warn("matrix: access token has no device \u2014 encrypted rooms are disabled (log in with a device to enable E2EE)");return}try{this.crypto=await this.cryptoAdapter.open({userId:this.self.userId,deviceId:this.self.deviceId,storePath:this.config.cryptoStorePath??"matrix-crypto",call:(e,t,n)=>this.call(e,t,n)})}catch(e){this.crypto=null,f.warn({err:e instanceof Error?e.message:String(e)},"matrix: end-to-end encryption unavailable \u2014 encrypted rooms will be skipped")}}async run(){for(;!this.stopRequested;)try{await this.syncOnce(),(this.consecutiveFailures>0||this.status!=="connected")&&(this.consecutiveFailures=0,this.setStatus("connected"),this.emit("connected",{self:this.self}))}catch(e){if(this.stopRequested)break;let t=e instanceof Error?e.message:String(e);if(q(e)){this.setStatus("session-expired"),this.emit("session-expired",{detail:t}),this.emit("disconnected",{reason:"logged-out",detail:t});return}this.consecutiveFailures+=1;let n=Math.round(Math.min(this.config.reconnectBaseBackoffMs*Math.pow(2,this.consecutiveFailures-1),this.config.reconnectMaxBackoffMs)*(.8+Math.random()*.4));this.setStatus("reconnecting"),this.emit("disconnected",{reason:"transient",detail:t}),this.emit("reconnecting",{attempt:this.consecutiveFailures,delayMs:n}),await new Promise(r=>{let o=()=>(clearTimeout(a),this.off("stopping",o),r()),a=setTimeout(o,n);this.on("stopping",o)})}}async syncOnce(){let e=this.since===null,t=new URLSearchParams({timeout:e?"0":String(this.config.syncTimeoutMs)});this.since&&t.set("since",this.since),e&&t.set("filter",JSON.stringify({room:{timeline:{limit:1},state:{lazy_load_members:!0}}})),this.abort=new AbortController;let n=await this.call("GET",`/_matrix/client/v3/sync?${t}`,void 0,{signal:this.abort.signal});if(this.abort=null,!this.stopRequested){for(let r of n.account_data?.events??[])r.type==="m.direct"&&this.loadDirect(r.content);this.crypto&&await this.crypto.sync({toDevice:n.to_device?.events??[],changed:n.device_lists?.changed??[],left:n.device_lists?.left??[],otkCounts:n.device_one_time_keys_count??{},fallbackKeys:n.device_unused_fallback_key_types??[]});for(let[r,o]of Object.entries(n.rooms?.join??{}))await this.processJoined(r,o,e);for(let[r,o]of Object.entries(n.rooms?.invite??{}))this.processInvite(r,o);for(let r of Object.keys(n.rooms?.leave??{}))this.rooms.delete(r),this.members.delete(r);this.since=n.next_batch,this.emit("synced",{initial:e})}}loadDirect(e){this.direct.clear();for(let[t,n]of Object.entries(e??{}))for(let r of Array.isArray(n)?n:[])this.direct.set(r,t)}roomState(e){let t=this.rooms.get(e);return t||(t={roomId:e,name:null,encrypted:!1,memberCount:null},this.rooms.set(e,t)),t}applyState(e,t){t.type==="m.room.name"&&typeof t.content?.name=="string"?e.name=t.content.name:t.type==="m.room.canonical_alias"&&!e.name&&typeof t.content?.alias=="string"?e.name=t.content.alias:t.type==="m.room.encryption"&&t.content?.algorithm?e.encrypted=!0:t.type==="m.room.member"&&this.members.delete(e.roomId)}async processJoined(e,t,n){let r=this.roomState(e),o=t.summary?.["m.joined_member_count"];typeof o=="number"&&(r.memberCount=o);for(let a of t.state?.events??[])this.applyState(r,a);for(let a of t.timeline?.events??[]){if(typeof a.state_key=="string"){this.applyState(r,a);continue}if(n||a.sender===this.self?.userId||!a.event_id||this.seen.has(a.event_id))continue;this.seen.add(a.event_id),this.seen.size>1e3&&(this.seen=new Set([...this.seen].slice(-500)));let s=a;if(a.type==="m.room.encrypted"){if(!this.crypto){f.warn({roomId:e,eventId:a.event_id},"matrix: encrypted message skipped \u2014 E2EE is not available");continue}try{s={...await this.crypto.decrypt(e,a),event_id:a.event_id,sender:a.sender,origin_server_ts:a.origin_server_ts,encrypted:!0}}catch(m){f.warn({roomId:e,eventId:a.event_id,err:m instanceof Error?m.message:String(m)},"matrix: could not decrypt message (keys not shared with this device yet?)");continue}}s.type!=="m.room.message"||!s.content?.msgtype||s.content["m.relates_to"]?.rel_type!=="m.replace"&&this.emit("message",{roomId:e,room:{...r,direct:this.isDirect(e)},event:s})}}processInvite(e,t){let n=t.invite_state?.events??[],r=n.find(s=>s.type==="m.room.member"&&s.state_key===this.self?.userId),o=n.find(s=>s.type==="m.room.name")?.content?.name??null,a=n.some(s=>s.type==="m.room.encryption");!r||r.content?.membership!=="invite"||this.emit("invite",{roomId:e,inviter:r.sender,roomName:o,isDirect:r.content?.is_direct===!0,encrypted:a})}isDirect(e){if(this.direct.has(e))return!0;let t=this.rooms.get(e)?.memberCount;return typeof t=="number"&&t<=2}async joinedMembers(e){let t=this.members.get(e);if(t)return t;let n=await this.call("GET",`/_matrix/client/v3/rooms/${encodeURIComponent(e)}/joined_members`),r=Object.keys(n.joined??{});return this.members.set(e,r),r}async join(e){return(await this.call("POST",`/_matrix/client/v3/join/${encodeURIComponent(e)}`,{})).room_id??e}async leave(e,t){await this.call("POST",`/_matrix/client/v3/rooms/${encodeURIComponent(e)}/leave`,t?{reason:t}:{}),this.rooms.delete(e)}async sendEvent(e,t,n){let r=t,o=n;if(this.isEncrypted(e)){if(!this.crypto)throw new Error(`room ${e} is end-to-end encrypted but E2EE is not available`);o=await this.crypto.encrypt(e,t,n,await this.joinedMembers(e)),r="m.room.encrypted"}let a=`swarmai.${Date.now()}.${++this.txn}.${Ie(3).toString("hex")}`;return(await this.call("PUT",`/_matrix/client/v3/rooms/${encodeURIComponent(e)}/send/${encodeURIComponent(r)}/${a}`,o)).event_id}async upload(e,t,n){let r=n?`?filename=${encodeURIComponent(n)}`:"",o=await this.call("POST",`/_matrix/media/v3/upload${r}`,void 0,{raw:e,contentType:t});if(!o.content_uri)throw new Error("upload: homeserver returned no content_uri");return o.content_uri}async download(e){let t=/^mxc:\/\/([^/]+)\/([^/?#]+)$/.exec(e??"");if(!t)throw new Error(`not an mxc:// URI: ${e}`);let n=`${encodeURIComponent(t[1])}/${encodeURIComponent(t[2])}`;try{return await this.call("GET",`/_matrix/client/v1/media/download/${n}`,void 0,{binary:!0})}catch(r){if(!(r instanceof x)||r.status!==404&&r.errcode!=="M_UNRECOGNIZED")throw r;return this.call("GET",`/_matrix/media/v3/download/${n}`,void 0,{binary:!0})}}async resolveAlias(e){return(await this.call("GET",`/_matrix/client/v3/directory/room/${encodeURIComponent(e)}`)).room_id}async directRoomFor(e){for(let[a,s]of this.direct)if(s===e&&this.rooms.has(a))return a;let t=await this.call("POST","/_matrix/client/v3/createRoom",{is_direct:!0,preset:"trusted_private_chat",invite:[e],...this.crypto?{initial_state:[{type:"m.room.encryption",state_key:"",content:{algorithm:"m.megolm.v1.aes-sha2"}}]}:{}}),n=t.room_id,r=this.roomState(n);r.encrypted=!!this.crypto,r.memberCount=2,this.direct.set(n,e);let o={};for(let[a,s]of this.direct)(o[s]??=[]).push(a);try{await this.call("PUT",`/_matrix/client/v3/user/${encodeURIComponent(this.self.userId)}/account_data/m.direct`,o)}catch(a){f.debug({err:a instanceof Error?a.message:String(a)},"matrix: m.direct update failed (non-fatal)")}return n}async setTyping(e,t){try{await this.call("PUT",`/_matrix/client/v3/rooms/${encodeURIComponent(e)}/typing/${encodeURIComponent(this.self.userId)}`,t?{typing:!0,timeout:3e4}:{typing:!1})}catch(n){f.debug({err:n instanceof Error?n.message:String(n)},"matrix: setTyping failed (non-fatal)")}}async markRead(e,t){try{await this.call("POST",`/_matrix/client/v3/rooms/${encodeURIComponent(e)}/receipt/m.read/${encodeURIComponent(t)}`,{})}catch(n){f.debug({err:n instanceof Error?n.message:String(n)},"matrix: markRead failed (non-fatal)")}}async stop(){this.stopRequested=!0,this.emit("stopping"),this.abort?.abort();try{await this.loop}catch{}this.loop=null,this.crypto?.close(),this.crypto=null,this.setStatus("idle")}setStatus(e){this.status=e}};function Q(i){let e=i?.info??{},t=typeof e.mimetype=="string"?e.mimetype:void 0,n=typeof i.filename=="string"?i.filename:typeof i.body=="string"?i.body:void 0;switch(i?.msgtype){case"m.image":return[{kind:"image",mimeType:t??"image/jpeg",...n?{filename:n}:{}}];case"m.video":return[{kind:"video",mimeType:t??"video/mp4",...n?{filename:n}:{}}];case"m.audio":return[{kind:"audio",mimeType:t??"audio/ogg",...n?{filename:n}:{}}];case"m.file":return[{kind:"file",mimeType:t??"application/octet-stream",...n?{filename:n}:{}}];default:return[]}}function X(i,e,t){if(!t?.userId)return!1;let n=i?.["m.mentions"]?.user_ids;if(Array.isArray(n)&&n.includes(t.userId))return!0;let r=e.toLowerCase();if(r.includes(t.userId.toLowerCase()))return!0;let o=t.userId.slice(1).split(":")[0].toLowerCase();return o&&r.includes(`@${o}`)?!0:!!t.displayName&&r.includes(`@${t.displayName.toLowerCase()}`)}function ke(i){if(!i.startsWith("> "))return i;let e=i.split(`
+`),t=0;for(;t<e.length&&e[t].startsWith("> ");)t++;return e[t]===""&&t++,e.slice(t).join(`
+`)}function Y(i,e,t){let{roomId:n,room:r,event:o}=e,a=o.content??{},s=a["m.relates_to"]??{},m=Q(a),p=typeof a.body=="string"?a.body:"",y=m.length?typeof a.filename=="string"&&a.filename!==p?p:"":ke(p);if(a.msgtype==="m.emote"&&(y=`* ${y}`),!o.sender)return null;let h={chatType:r.direct?"private":"group"};return r.direct||(h.groupChat=!0,h.groupId=n,r.name&&(h.groupName=r.name)),s.rel_type==="m.thread"&&s.event_id&&(h.threadId=s.event_id),o.encrypted&&(h.encrypted=!0),X(a,p,t)&&(h.mentioned=!0),{channelId:i,from:o.sender,body:!y&&!m.length?`[matrix:${a.msgtype}]`:y,attachments:m.length?m:void 0,raw:o,receivedAt:o.origin_server_ts?new Date(o.origin_server_ts):new Date,flags:h}}async function ee(i,e,t,n){if(!t?.length)return t;let r=e.info?.size;if(typeof r=="number"&&r>n)return f.info({size:r,maxBytes:n},"matrix: inbound attachment over the download cap \u2014 passing metadata only"),t;try{let o=e.file?z(await i.download(e.file.url),e.file):await i.download(e.url);return o.byteLength>n?t:[{...t[0],data:new Uint8Array(o)}]}catch(o){return f.warn({err:o instanceof Error?o.message:String(o)},"matrix: attachment download failed \u2014 passing metadata only"),t}}var D=50*1024*1024;function re(i){if(!i.mimeType||typeof i.mimeType!="string")return{ok:!1,detail:"attachment.mimeType is required"};let e=i.mimeType.toLowerCase();switch(i.kind){case"image":case"video":case"audio":if(!e.startsWith(`${i.kind}/`))return{ok:!1,detail:`${i.kind} kind expects ${i.kind}/*, got ${i.mimeType}`};break;case"file":break;default:return{ok:!1,detail:`unsupported attachment kind: ${i.kind??"unset"}`}}return!i.data&&!i.url?{ok:!1,detail:"attachment must supply either data or url"}:{ok:!0}}async function ne(i,e){if(i.data)return Buffer.isBuffer(i.data)?i.data:Buffer.from(i.data);if(!i.url)throw new Error("attachment has neither data nor url");let t=await(e??(n=>globalThis.fetch(n)))(i.url);if(!t.ok)throw new Error(`fetch ${i.url} returned ${t.status}`);return Buffer.from(await t.arrayBuffer())}async function ie(i,e,t){let n=e.trim();return/^![^:]+:.+$/.test(n)?{roomId:n}:/^#[^:]+:.+$/.test(n)?{roomId:await i.resolveAlias(n)}:/^@[^:]+:.+$/.test(n)?t?{roomId:t.roomId,...t.threadId?{threadId:t.threadId,replyTo:t.eventId}:{}}:{roomId:await i.directRoomFor(n)}:null}function te(i){return i.threadId?{"m.relates_to":{rel_type:"m.thread",event_id:i.threadId,is_falling_back:!0,...i.replyTo?{"m.in_reply_to":{event_id:i.replyTo}}:{}}}:{}}var be={image:"m.image",video:"m.video",audio:"m.audio",file:"m.file"};async function ae(i,e){if(e.channelId!==i.channelId)return{ok:!1,detail:`channelId mismatch: got ${e.channelId}, expected ${i.channelId}`};let t=(e.attachments?.length??0)>0;if((!e.body||e.body.length===0)&&!t)return{ok:!1,detail:"empty body \u2014 refusing to send"};let n;try{n=await ie(i.client,e.to,i.contextFor?.(e.to))}catch(s){return{ok:!1,detail:`cannot resolve room for "${e.to}": ${s instanceof Error?s.message:String(s)}`}}if(!n)return{ok:!1,detail:`cannot resolve recipient from "${e.to}"`};let{client:r}=i,o=r.isEncrypted(n.roomId),a;if(o&&!r.cryptoReady())return{ok:!1,detail:`room ${n.roomId} is end-to-end encrypted but E2EE is not available on this host`};if(i.onBeforeSend)try{await i.onBeforeSend(n.roomId)}catch{}try{for(let s of e.attachments??[]){let m=re(s);if(!m.ok)return{ok:!1,detail:m.detail};let p;try{p=await ne(s,i.fetchImpl)}catch(d){return{ok:!1,detail:`media fetch failed: ${d instanceof Error?d.message:String(d)}`}}if(p.byteLength>D)return{ok:!1,detail:`attachment exceeds size cap (${(p.byteLength/1048576).toFixed(1)}MB > ${(D/1048576).toFixed(1)}MB)`};let y=s.filename??`${s.kind}.${s.mimeType.split("/")[1]?.split(";")[0]||"bin"}`,h={msgtype:be[s.kind],body:y,filename:y,info:{mimetype:s.mimeType,size:p.byteLength}};if(o){let d=L(p);h.file={...d.file,url:await r.upload(d.data,"application/octet-stream")}}else h.url=await r.upload(p,s.mimeType,y);a=await r.sendEvent(n.roomId,"m.room.message",{...h,...te(n)})}if(e.body&&e.body.length>0&&(a=await r.sendEvent(n.roomId,"m.room.message",{msgtype:"m.text",body:e.body,...te(n)})),i.onAfterSend)try{await i.onAfterSend(n.roomId)}catch{}return{ok:!0,roomId:n.roomId,...a?{messageId:a}:{}}}catch(s){return{ok:!1,detail:s instanceof Error?s.message:String(s)}}}var xe={dm:!0,group:!0,thread:!0,reaction:!1,edit:!1,delete:!1,mediaImage:!0,mediaVideo:!0,mediaAudio:!0,voiceMemo:!0,voiceCall:!1,typing:!0,readReceipt:!0,formatting:"plain",maxMessageBytes:65536,maxAttachmentBytes:D,rateLimit:{perMinute:30,perHour:600}},k="matrix";function Se(i={}){let e=!1,t=null,n=null,r=null,o=null,a=new Map,s=new Map,m=i.pairing??null,p=c=>{o=c,i.onConnectionEvent?.(c)},y=c=>{let l=a.get(c);return l&&Date.now()-l.at<=t.replyTtlSec*1e3?l:null},h=c=>c.isDirect?{channelId:k,from:c.inviter}:{channelId:k,from:c.roomId,subjectType:"group"},d=async(c,l)=>{s.delete(c.roomId);try{await r.join(c.roomId),f.info({roomId:c.roomId,inviter:c.inviter,reason:l},"matrix: joined room")}catch(g){f.warn({roomId:c.roomId,err:g instanceof Error?g.message:String(g)},"matrix: join failed")}},u=async(c,l)=>{s.delete(c.roomId);try{await r.leave(c.roomId,l),f.info({roomId:c.roomId,inviter:c.inviter,reason:l},"matrix: declined room invite")}catch(g){f.warn({roomId:c.roomId,err:g instanceof Error?g.message:String(g)},"matrix: decline failed")}},I=async c=>{if(s.has(c.roomId))return;if(t.invitePolicy==="closed")return u(c,"invites are closed");if(t.invitePolicy==="open")return d(c,"invitePolicy=open");if(!m){f.warn({roomId:c.roomId,inviter:c.inviter},"matrix: invite left pending \u2014 no pairing store wired");return}if(m.isApproved(k,c.inviter)||m.isApproved(h(c)))return d(c,"inviter already paired");let l=m.challenge({...h(c),...c.isDirect?{}:{subjectKind:"group"},identity:{rawId:c.isDirect?c.inviter:c.roomId,username:c.inviter,...c.roomName?{displayName:c.roomName}:{}}});s.set(c.roomId,{...c,code:l.code}),f.info({roomId:c.roomId,inviter:c.inviter,code:l.code},"matrix: room invite awaiting approval \u2014 approve or reject the code under /api/channels/pairings")},O=async()=>{if(!m||s.size===0)return;let c=new Set(m.listPending().map(l=>l.code));for(let l of[...s.values()])m.isApproved(h(l))?await d(l,`pairing ${l.code} approved`):c.has(l.code)||await u(l,`pairing ${l.code} rejected or expired`)},S=async c=>{try{if(!n||!t)return;let l=r.getSelf(),g=Y(k,c,{...l,...i.selfDisplayName||t.selfDisplayName?{displayName:i.selfDisplayName??t.selfDisplayName}:{}});if(!g)return;a.set(g.from,{roomId:c.roomId,eventId:c.event.event_id,...g.flags.threadId?{threadId:g.flags.threadId}:{},at:Date.now()}),a.size>500&&a.delete(a.keys().next().value),(!(g.flags.groupChat===!0)||!t.respondToMentions||g.flags.mentioned)&&(g.attachments=await ee(r,c.event.content,g.attachments,t.maxDownloadBytes),await n(g)),i.onEvent&&await i.onEvent(g),t.markRead&&await r.markRead(c.roomId,c.event.event_id)}catch(l){f.warn({err:l instanceof Error?l.message:String(l)},"matrix: inbound handler threw")}},E={id:k,displayName:"Matrix",description:"Matrix client-server API \u2014 log in with an access token. DMs, rooms, threads and media; end-to-end encrypted rooms via the Rust crypto SDK.",version:"0.1.0",kind:"both",defaultDmPolicy:"pairing",features:xe,authSchema:R,configSchema:M,async start(c,l){t=M.parse(c.config??{});let g=R.parse(c.secrets??{});n=l,r=new C({config:t,accessToken:g.accessToken,...i.fetchImpl?{fetchImpl:i.fetchImpl}:{},...i.cryptoAdapter?{cryptoAdapter:i.cryptoAdapter}:{}}),r.on("connecting",()=>p({kind:"connecting"})),r.on("connected",({self:w})=>{p({kind:"connected",self:w,encryption:r.cryptoReady()}),f.info({userId:w?.userId,deviceId:w?.deviceId,e2ee:r.cryptoReady()},"matrix: connected")}),r.on("reconnecting",({attempt:w,delayMs:T})=>p({kind:"reconnecting",attempt:w,delayMs:T})),r.on("disconnected",w=>p({kind:"disconnected",reason:w.reason,...w.detail?{detail:w.detail}:{}})),r.on("session-expired",w=>{p({kind:"session-expired",...w.detail?{detail:w.detail}:{}}),f.warn({detail:w.detail},"matrix: access token rejected \u2014 run `swarmai channel add matrix` with a fresh token")}),r.on("invite",w=>I(w).catch(T=>f.warn({err:T instanceof Error?T.message:String(T)},"matrix: invite handling failed"))),r.on("synced",()=>O().catch(w=>f.warn({err:w instanceof Error?w.message:String(w)},"matrix: invite review failed"))),r.on("message",S),await r.start(),e=!0},async stop(){r&&(await r.stop(),r=null),e=!1,n=null,s.clear()},async healthCheck(){if(!e||!r)return{status:"down",detail:"not started"};let c=r.getStatus();return c==="connected"?t.encryption&&!r.cryptoReady()?{status:"degraded",detail:"connected without E2EE \u2014 encrypted rooms are skipped"}:{status:"ok"}:c==="connecting"||c==="reconnecting"?{status:"degraded",detail:c}:{status:"down",detail:c}},async send(c){if(!e||!r||!t)throw new Error("matrix channel not started");let l=await ae({client:r,channelId:k,contextFor:y,...i.fetchImpl?{fetchImpl:i.fetchImpl}:{},...t.typingIndicator?{onBeforeSend:g=>r.setTyping(g,!0),onAfterSend:g=>r.setTyping(g,!1)}:{}},c);if(!l.ok)throw new Error(`matrix send failed: ${l.detail??"unknown"}`)}},$={id:k,kind:"push",authSchema:R,configSchema:M,async healthCheck(){if(!e||!r)return"down";let c=r.getStatus();return c==="connected"?"ok":c==="session-expired"?"down":"degraded"},async webhook(){return[]}};async function _(c){if(!r||!t?.typingIndicator)return;let l=y(c);l&&await r.setTyping(l.roomId,!0)}function oe(){return Promise.resolve({status:405,body:'{"error":"matrix has no webhook"}',inbound:[]})}return{channel:E,source:$,handleWebhook:oe,sendTyping:_,pendingInvites:()=>[...s.values()],getClient:()=>r,_lastEvent:()=>o}}function Qe(i={}){return Se(i).source}export{xe as MATRIX_FEATURES,D as MEDIA_SIZE_CAP,R as MatrixAuthSchema,C as MatrixClient,M as MatrixConfigSchema,x as MatrixError,Qe as createMatrixMonitorSource,Se as createMatrixPlugin,Q as decodeMedia,z as decryptAttachment,F as defaultCryptoAdapter,X as detectMention,L as encryptAttachment,q as isSessionInvalid,Y as normaliseInbound,ne as resolveMediaBuffer,ie as resolveTarget,ae as sendOutbound,re as validateAttachment};
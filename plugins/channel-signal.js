@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// SwarmAI bundled distribution. Source code is proprietary.
+import { createRequire as __swarmAiCreateRequire } from 'node:module';
+const require = __swarmAiCreateRequire(import.meta.url);
+
+var Wt=Object.create;var at=Object.defineProperty;var qt=Object.getOwnPropertyDescriptor;var Kt=Object.getOwnPropertyNames;var Jt=Object.getPrototypeOf,Xt=Object.prototype.hasOwnProperty;var b=(e,t)=>()=>(t||e((t={exports:{}}).exports,t),t.exports);var jt=(e,t,r,a)=>{if(t&&typeof t=="object"||typeof t=="function")for(let n of Kt(t))!Xt.call(e,n)&&n!==r&&at(e,n,{get:()=>t[n],enumerable:!(a=qt(t,n))||a.enumerable});return e};var Yt=(e,t,r)=>(r=e!=null?Wt(Jt(e)):{},jt(t||!e||!e.__esModule?at(r,"default",{value:e,enumerable:!0}):r,e));var V=b((Ce,wt)=>{wt.exports={MODE_NUMBER:1,MODE_ALPHA_NUM:2,MODE_8BIT_BYTE:4,MODE_KANJI:8}});var Tt=b((Ne,Et)=>{var ce=V();function yt(e){this.mode=ce.MODE_8BIT_BYTE,this.data=e}yt.prototype={getLength:function(){return this.data.length},write:function(e){for(var t=0;t<this.data.length;t++)e.put(this.data.charCodeAt(t),8)}};Et.exports=yt});var tt=b(($e,At)=>{var k={glog:function(e){if(e<1)throw new Error("glog("+e+")");return k.LOG_TABLE[e]},gexp:function(e){for(;e<0;)e+=255;for(;e>=256;)e-=255;return k.EXP_TABLE[e]},EXP_TABLE:new Array(256),LOG_TABLE:new Array(256)};for(m=0;m<8;m++)k.EXP_TABLE[m]=1<<m;var m;for(m=8;m<256;m++)k.EXP_TABLE[m]=k.EXP_TABLE[m-4]^k.EXP_TABLE[m-5]^k.EXP_TABLE[m-6]^k.EXP_TABLE[m-8];var m;for(m=0;m<255;m++)k.LOG_TABLE[k.EXP_TABLE[m]]=m;var m;At.exports=k});var et=b((Oe,bt)=>{var R=tt();function W(e,t){if(e.length===void 0)throw new Error(e.length+"/"+t);for(var r=0;r<e.length&&e[r]===0;)r++;this.num=new Array(e.length-r+t);for(var a=0;a<e.length-r;a++)this.num[a]=e[a+r]}W.prototype={get:function(e){return this.num[e]},getLength:function(){return this.num.length},multiply:function(e){for(var t=new Array(this.getLength()+e.getLength()-1),r=0;r<this.getLength();r++)for(var a=0;a<e.getLength();a++)t[r+a]^=R.gexp(R.glog(this.get(r))+R.glog(e.get(a)));return new W(t,0)},mod:function(e){if(this.getLength()-e.getLength()<0)return this;for(var t=R.glog(this.get(0))-R.glog(e.get(0)),r=new Array(this.getLength()),a=0;a<this.getLength();a++)r[a]=this.get(a);for(var n=0;n<e.getLength();n++)r[n]^=R.gexp(R.glog(e.get(n))+t);return new W(r,0).mod(e)}};bt.exports=W});var Lt=b((xe,kt)=>{kt.exports={PATTERN000:0,PATTERN001:1,PATTERN010:2,PATTERN011:3,PATTERN100:4,PATTERN101:5,PATTERN110:6,PATTERN111:7}});var Mt=b((He,Bt)=>{var A=V(),It=et(),fe=tt(),M=Lt(),w={PATTERN_POSITION_TABLE:[[],[6,18],[6,22],[6,26],[6,30],[6,34],[6,22,38],[6,24,42],[6,26,46],[6,28,50],[6,30,54],[6,32,58],[6,34,62],[6,26,46,66],[6,26,48,70],[6,26,50,74],[6,30,54,78],[6,30,56,82],[6,30,58,86],[6,34,62,90],[6,28,50,72,94],[6,26,50,74,98],[6,30,54,78,102],[6,28,54,80,106],[6,32,58,84,110],[6,30,58,86,114],[6,34,62,90,118],[6,26,50,74,98,122],[6,30,54,78,102,126],[6,26,52,78,104,130],[6,30,56,82,108,134],[6,34,60,86,112,138],[6,30,58,86,114,142],[6,34,62,90,118,146],[6,30,54,78,102,126,150],[6,24,50,76,102,128,154],[6,28,54,80,106,132,158],[6,32,58,84,110,136,162],[6,26,54,82,110,138,166],[6,30,58,86,114,142,170]],G15:1335,G18:7973,G15_MASK:21522,getBCHTypeInfo:function(e){for(var t=e<<10;w.getBCHDigit(t)-w.getBCHDigit(w.G15)>=0;)t^=w.G15<<w.getBCHDigit(t)-w.getBCHDigit(w.G15);return(e<<10|t)^w.G15_MASK},getBCHTypeNumber:function(e){for(var t=e<<12;w.getBCHDigit(t)-w.getBCHDigit(w.G18)>=0;)t^=w.G18<<w.getBCHDigit(t)-w.getBCHDigit(w.G18);return e<<12|t},getBCHDigit:function(e){for(var t=0;e!==0;)t++,e>>>=1;return t},getPatternPosition:function(e){return w.PATTERN_POSITION_TABLE[e-1]},getMask:function(e,t,r){switch(e){case M.PATTERN000:return(t+r)%2===0;case M.PATTERN001:return t%2===0;case M.PATTERN010:return r%3===0;case M.PATTERN011:return(t+r)%3===0;case M.PATTERN100:return(Math.floor(t/2)+Math.floor(r/3))%2===0;case M.PATTERN101:return t*r%2+t*r%3===0;case M.PATTERN110:return(t*r%2+t*r%3)%2===0;case M.PATTERN111:return(t*r%3+(t+r)%2)%2===0;default:throw new Error("bad maskPattern:"+e)}},getErrorCorrectPolynomial:function(e){for(var t=new It([1],0),r=0;r<e;r++)t=t.multiply(new It([1,fe.gexp(r)],0));return t},getLengthInBits:function(e,t){if(1<=t&&t<10)switch(e){case A.MODE_NUMBER:return 10;case A.MODE_ALPHA_NUM:return 9;case A.MODE_8BIT_BYTE:return 8;case A.MODE_KANJI:return 8;default:throw new Error("mode:"+e)}else if(t<27)switch(e){case A.MODE_NUMBER:return 12;case A.MODE_ALPHA_NUM:return 11;case A.MODE_8BIT_BYTE:return 16;case A.MODE_KANJI:return 10;default:throw new Error("mode:"+e)}else if(t<41)switch(e){case A.MODE_NUMBER:return 14;case A.MODE_ALPHA_NUM:return 13;case A.MODE_8BIT_BYTE:return 16;case A.MODE_KANJI:return 12;default:throw new Error("mode:"+e)}else throw new Error("type:"+t)},getLostPoint:function(e){var t=e.getModuleCount(),r=0,a=0,n=0;for(a=0;a<t;a++)for(n=0;n<t;n++){for(var i=0,o=e.isDark(a,n),s=-1;s<=1;s++)if(!(a+s<0||t<=a+s))for(var u=-1;u<=1;u++)n+u<0||t<=n+u||s===0&&u===0||o===e.isDark(a+s,n+u)&&i++;i>5&&(r+=3+i-5)}for(a=0;a<t-1;a++)for(n=0;n<t-1;n++){var l=0;e.isDark(a,n)&&l++,e.isDark(a+1,n)&&l++,e.isDark(a,n+1)&&l++,e.isDark(a+1,n+1)&&l++,(l===0||l===4)&&(r+=3)}for(a=0;a<t;a++)for(n=0;n<t-6;n++)e.isDark(a,n)&&!e.isDark(a,n+1)&&e.isDark(a,n+2)&&e.isDark(a,n+3)&&e.isDark(a,n+4)&&!e.isDark(a,n+5)&&e.isDark(a,n+6)&&(r+=40);for(n=0;n<t;n++)for(a=0;a<t-6;a++)e.isDark(a,n)&&!e.isDark(a+1,n)&&e.isDark(a+2,n)&&e.isDark(a+3,n)&&e.isDark(a+4,n)&&!e.isDark(a+5,n)&&e.isDark(a+6,n)&&(r+=40);var c=0;for(n=0;n<t;n++)for(a=0;a<t;a++)e.isDark(a,n)&&c++;var g=Math.abs(100*c/t/t-50)/5;return r+=g*10,r}};Bt.exports=w});var rt=b((Ue,St)=>{St.exports={L:1,M:0,Q:3,H:2}});var Rt=b((Qe,Pt)=>{var q=rt();function L(e,t){this.totalCount=e,this.dataCount=t}L.RS_BLOCK_TABLE=[[1,26,19],[1,26,16],[1,26,13],[1,26,9],[1,44,34],[1,44,28],[1,44,22],[1,44,16],[1,70,55],[1,70,44],[2,35,17],[2,35,13],[1,100,80],[2,50,32],[2,50,24],[4,25,9],[1,134,108],[2,67,43],[2,33,15,2,34,16],[2,33,11,2,34,12],[2,86,68],[4,43,27],[4,43,19],[4,43,15],[2,98,78],[4,49,31],[2,32,14,4,33,15],[4,39,13,1,40,14],[2,121,97],[2,60,38,2,61,39],[4,40,18,2,41,19],[4,40,14,2,41,15],[2,146,116],[3,58,36,2,59,37],[4,36,16,4,37,17],[4,36,12,4,37,13],[2,86,68,2,87,69],[4,69,43,1,70,44],[6,43,19,2,44,20],[6,43,15,2,44,16],[4,101,81],[1,80,50,4,81,51],[4,50,22,4,51,23],[3,36,12,8,37,13],[2,116,92,2,117,93],[6,58,36,2,59,37],[4,46,20,6,47,21],[7,42,14,4,43,15],[4,133,107],[8,59,37,1,60,38],[8,44,20,4,45,21],[12,33,11,4,34,12],[3,145,115,1,146,116],[4,64,40,5,65,41],[11,36,16,5,37,17],[11,36,12,5,37,13],[5,109,87,1,110,88],[5,65,41,5,66,42],[5,54,24,7,55,25],[11,36,12],[5,122,98,1,123,99],[7,73,45,3,74,46],[15,43,19,2,44,20],[3,45,15,13,46,16],[1,135,107,5,136,108],[10,74,46,1,75,47],[1,50,22,15,51,23],[2,42,14,17,43,15],[5,150,120,1,151,121],[9,69,43,4,70,44],[17,50,22,1,51,23],[2,42,14,19,43,15],[3,141,113,4,142,114],[3,70,44,11,71,45],[17,47,21,4,48,22],[9,39,13,16,40,14],[3,135,107,5,136,108],[3,67,41,13,68,42],[15,54,24,5,55,25],[15,43,15,10,44,16],[4,144,116,4,145,117],[17,68,42],[17,50,22,6,51,23],[19,46,16,6,47,17],[2,139,111,7,140,112],[17,74,46],[7,54,24,16,55,25],[34,37,13],[4,151,121,5,152,122],[4,75,47,14,76,48],[11,54,24,14,55,25],[16,45,15,14,46,16],[6,147,117,4,148,118],[6,73,45,14,74,46],[11,54,24,16,55,25],[30,46,16,2,47,17],[8,132,106,4,133,107],[8,75,47,13,76,48],[7,54,24,22,55,25],[22,45,15,13,46,16],[10,142,114,2,143,115],[19,74,46,4,75,47],[28,50,22,6,51,23],[33,46,16,4,47,17],[8,152,122,4,153,123],[22,73,45,3,74,46],[8,53,23,26,54,24],[12,45,15,28,46,16],[3,147,117,10,148,118],[3,73,45,23,74,46],[4,54,24,31,55,25],[11,45,15,31,46,16],[7,146,116,7,147,117],[21,73,45,7,74,46],[1,53,23,37,54,24],[19,45,15,26,46,16],[5,145,115,10,146,116],[19,75,47,10,76,48],[15,54,24,25,55,25],[23,45,15,25,46,16],[13,145,115,3,146,116],[2,74,46,29,75,47],[42,54,24,1,55,25],[23,45,15,28,46,16],[17,145,115],[10,74,46,23,75,47],[10,54,24,35,55,25],[19,45,15,35,46,16],[17,145,115,1,146,116],[14,74,46,21,75,47],[29,54,24,19,55,25],[11,45,15,46,46,16],[13,145,115,6,146,116],[14,74,46,23,75,47],[44,54,24,7,55,25],[59,46,16,1,47,17],[12,151,121,7,152,122],[12,75,47,26,76,48],[39,54,24,14,55,25],[22,45,15,41,46,16],[6,151,121,14,152,122],[6,75,47,34,76,48],[46,54,24,10,55,25],[2,45,15,64,46,16],[17,152,122,4,153,123],[29,74,46,14,75,47],[49,54,24,10,55,25],[24,45,15,46,46,16],[4,152,122,18,153,123],[13,74,46,32,75,47],[48,54,24,14,55,25],[42,45,15,32,46,16],[20,147,117,4,148,118],[40,75,47,7,76,48],[43,54,24,22,55,25],[10,45,15,67,46,16],[19,148,118,6,149,119],[18,75,47,31,76,48],[34,54,24,34,55,25],[20,45,15,61,46,16]];L.getRSBlocks=function(e,t){var r=L.getRsBlockTable(e,t);if(r===void 0)throw new Error("bad rs block @ typeNumber:"+e+"/errorCorrectLevel:"+t);for(var a=r.length/3,n=[],i=0;i<a;i++)for(var o=r[i*3+0],s=r[i*3+1],u=r[i*3+2],l=0;l<o;l++)n.push(new L(s,u));return n};L.getRsBlockTable=function(e,t){switch(t){case q.L:return L.RS_BLOCK_TABLE[(e-1)*4+0];case q.M:return L.RS_BLOCK_TABLE[(e-1)*4+1];case q.Q:return L.RS_BLOCK_TABLE[(e-1)*4+2];case q.H:return L.RS_BLOCK_TABLE[(e-1)*4+3];default:return}};Pt.exports=L});var Ct=b((Ge,Dt)=>{function _t(){this.buffer=[],this.length=0}_t.prototype={get:function(e){var t=Math.floor(e/8);return(this.buffer[t]>>>7-e%8&1)==1},put:function(e,t){for(var r=0;r<t;r++)this.putBit((e>>>t-r-1&1)==1)},getLengthInBits:function(){return this.length},putBit:function(e){var t=Math.floor(this.length/8);this.buffer.length<=t&&this.buffer.push(0),e&&(this.buffer[t]|=128>>>this.length%8),this.length++}};Dt.exports=_t});var xt=b((Fe,Ot)=>{var he=Tt(),S=Mt(),de=et(),Nt=Rt(),$t=Ct();function I(e,t){this.typeNumber=e,this.errorCorrectLevel=t,this.modules=null,this.moduleCount=0,this.dataCache=null,this.dataList=[]}I.prototype={addData:function(e){var t=new he(e);this.dataList.push(t),this.dataCache=null},isDark:function(e,t){if(e<0||this.moduleCount<=e||t<0||this.moduleCount<=t)throw new Error(e+","+t);return this.modules[e][t]},getModuleCount:function(){return this.moduleCount},make:function(){if(this.typeNumber<1){var e=1;for(e=1;e<40;e++){for(var t=Nt.getRSBlocks(e,this.errorCorrectLevel),r=new $t,a=0,n=0;n<t.length;n++)a+=t[n].dataCount;for(var i=0;i<this.dataList.length;i++){var o=this.dataList[i];r.put(o.mode,4),r.put(o.getLength(),S.getLengthInBits(o.mode,e)),o.write(r)}if(r.getLengthInBits()<=a*8)break}this.typeNumber=e}this.makeImpl(!1,this.getBestMaskPattern())},makeImpl:function(e,t){this.moduleCount=this.typeNumber*4+17,this.modules=new Array(this.moduleCount);for(var r=0;r<this.moduleCount;r++){this.modules[r]=new Array(this.moduleCount);for(var a=0;a<this.moduleCount;a++)this.modules[r][a]=null}this.setupPositionProbePattern(0,0),this.setupPositionProbePattern(this.moduleCount-7,0),this.setupPositionProbePattern(0,this.moduleCount-7),this.setupPositionAdjustPattern(),this.setupTimingPattern(),this.setupTypeInfo(e,t),this.typeNumber>=7&&this.setupTypeNumber(e),this.dataCache===null&&(this.dataCache=I.createData(this.typeNumber,this.errorCorrectLevel,this.dataList)),this.mapData(this.dataCache,t)},setupPositionProbePattern:function(e,t){for(var r=-1;r<=7;r++)if(!(e+r<=-1||this.moduleCount<=e+r))for(var a=-1;a<=7;a++)t+a<=-1||this.moduleCount<=t+a||(0<=r&&r<=6&&(a===0||a===6)||0<=a&&a<=6&&(r===0||r===6)||2<=r&&r<=4&&2<=a&&a<=4?this.modules[e+r][t+a]=!0:this.modules[e+r][t+a]=!1)},getBestMaskPattern:function(){for(var e=0,t=0,r=0;r<8;r++){this.makeImpl(!0,r);var a=S.getLostPoint(this);(r===0||e>a)&&(e=a,t=r)}return t},createMovieClip:function(e,t,r){var a=e.createEmptyMovieClip(t,r),n=1;this.make();for(var i=0;i<this.modules.length;i++)for(var o=i*n,s=0;s<this.modules[i].length;s++){var u=s*n,l=this.modules[i][s];l&&(a.beginFill(0,100),a.moveTo(u,o),a.lineTo(u+n,o),a.lineTo(u+n,o+n),a.lineTo(u,o+n),a.endFill())}return a},setupTimingPattern:function(){for(var e=8;e<this.moduleCount-8;e++)this.modules[e][6]===null&&(this.modules[e][6]=e%2===0);for(var t=8;t<this.moduleCount-8;t++)this.modules[6][t]===null&&(this.modules[6][t]=t%2===0)},setupPositionAdjustPattern:function(){for(var e=S.getPatternPosition(this.typeNumber),t=0;t<e.length;t++)for(var r=0;r<e.length;r++){var a=e[t],n=e[r];if(this.modules[a][n]===null)for(var i=-2;i<=2;i++)for(var o=-2;o<=2;o++)Math.abs(i)===2||Math.abs(o)===2||i===0&&o===0?this.modules[a+i][n+o]=!0:this.modules[a+i][n+o]=!1}},setupTypeNumber:function(e){for(var t=S.getBCHTypeNumber(this.typeNumber),r,a=0;a<18;a++)r=!e&&(t>>a&1)===1,this.modules[Math.floor(a/3)][a%3+this.moduleCount-8-3]=r;for(var n=0;n<18;n++)r=!e&&(t>>n&1)===1,this.modules[n%3+this.moduleCount-8-3][Math.floor(n/3)]=r},setupTypeInfo:function(e,t){for(var r=this.errorCorrectLevel<<3|t,a=S.getBCHTypeInfo(r),n,i=0;i<15;i++)n=!e&&(a>>i&1)===1,i<6?this.modules[i][8]=n:i<8?this.modules[i+1][8]=n:this.modules[this.moduleCount-15+i][8]=n;for(var o=0;o<15;o++)n=!e&&(a>>o&1)===1,o<8?this.modules[8][this.moduleCount-o-1]=n:o<9?this.modules[8][15-o-1+1]=n:this.modules[8][15-o-1]=n;this.modules[this.moduleCount-8][8]=!e},mapData:function(e,t){for(var r=-1,a=this.moduleCount-1,n=7,i=0,o=this.moduleCount-1;o>0;o-=2)for(o===6&&o--;;){for(var s=0;s<2;s++)if(this.modules[a][o-s]===null){var u=!1;i<e.length&&(u=(e[i]>>>n&1)===1);var l=S.getMask(t,a,o-s);l&&(u=!u),this.modules[a][o-s]=u,n--,n===-1&&(i++,n=7)}if(a+=r,a<0||this.moduleCount<=a){a-=r,r=-r;break}}}};I.PAD0=236;I.PAD1=17;I.createData=function(e,t,r){for(var a=Nt.getRSBlocks(e,t),n=new $t,i=0;i<r.length;i++){var o=r[i];n.put(o.mode,4),n.put(o.getLength(),S.getLengthInBits(o.mode,e)),o.write(n)}for(var s=0,u=0;u<a.length;u++)s+=a[u].dataCount;if(n.getLengthInBits()>s*8)throw new Error("code length overflow. ("+n.getLengthInBits()+">"+s*8+")");for(n.getLengthInBits()+4<=s*8&&n.put(0,4);n.getLengthInBits()%8!==0;)n.putBit(!1);for(;!(n.getLengthInBits()>=s*8||(n.put(I.PAD0,8),n.getLengthInBits()>=s*8));)n.put(I.PAD1,8);return I.createBytes(n,a)};I.createBytes=function(e,t){for(var r=0,a=0,n=0,i=new Array(t.length),o=new Array(t.length),s=0;s<t.length;s++){var u=t[s].dataCount,l=t[s].totalCount-u;a=Math.max(a,u),n=Math.max(n,l),i[s]=new Array(u);for(var c=0;c<i[s].length;c++)i[s][c]=255&e.buffer[c+r];r+=u;var g=S.getErrorCorrectPolynomial(l),B=new de(i[s],g.getLength()-1),y=B.mod(g);o[s]=new Array(g.getLength()-1);for(var v=0;v<o[s].length;v++){var P=v+y.getLength()-o[s].length;o[s][v]=P>=0?y.get(P):0}}for(var _=0,f=0;f<t.length;f++)_+=t[f].totalCount;for(var d=new Array(_),h=0,p=0;p<a;p++)for(var N=0;N<t.length;N++)p<i[N].length&&(d[h++]=i[N][p]);for(var O=0;O<n;O++)for(var x=0;x<t.length;x++)O<o[x].length&&(d[h++]=o[x][O]);return d};Ot.exports=I});var Qt=b((We,Ut)=>{var ge=xt(),Ht=rt(),me="\x1B[40m  \x1B[0m",K="\x1B[47m  \x1B[0m",pe=function(e){return e?me:K},nt=function(e){return{times:function(t){return new Array(t).join(e)}}},ve=function(e,t){for(var r=new Array(e),a=0;a<e;a++)r[a]=t;return r};Ut.exports={error:Ht.L,generate:function(e,t,r){typeof t=="function"&&(r=t,t={});var a=new ge(-1,this.error);a.addData(e),a.make();var n="";if(t&&t.small){var i=!0,o=!1,s=a.getModuleCount(),u=a.modules.slice(),l=s%2===1;l&&u.push(ve(s,o));var c={WHITE_ALL:"\u2588",WHITE_BLACK:"\u2580",BLACK_WHITE:"\u2584",BLACK_ALL:" "},g=nt(c.BLACK_WHITE).times(s+3),B=nt(c.WHITE_BLACK).times(s+3);n+=g+`
+`;for(var y=0;y<s;y+=2){n+=c.WHITE_ALL;for(var v=0;v<s;v++)u[y][v]===o&&u[y+1][v]===o?n+=c.WHITE_ALL:u[y][v]===o&&u[y+1][v]===i?n+=c.WHITE_BLACK:u[y][v]===i&&u[y+1][v]===o?n+=c.BLACK_WHITE:n+=c.BLACK_ALL;n+=c.WHITE_ALL+`
+`}l||(n+=B)}else{var P=nt(K).times(a.getModuleCount()+3);n+=P+`
+`,a.modules.forEach(function(_){n+=K,n+=_.map(pe).join(""),n+=K+`
+`}),n+=P}r?r(n):console.log(n)},setErrorLevel:function(e){this.error=Ht[e]||this.error}}});import D from"pino";import{existsSync as zt,mkdirSync as Zt,statSync as st,renameSync as Vt,readdirSync as te,unlinkSync as ee,createWriteStream as J,chmodSync as re}from"node:fs";import{join as Y}from"node:path";var ut=!1,X=D({level:"info"});function ne(e={}){let t=e.level??process.env.SWARMAI_LOG_LEVEL??"info",r=e.pretty??!1,a=[],n=r?D.transport({target:"pino-pretty",options:{colorize:!0,translateTime:"SYS:HH:MM:ss",ignore:"pid,hostname"}}):D.destination(1);a.push({stream:n}),e.file&&e.file.dir&&a.push({stream:it(e.file)}),e.errorFile&&e.errorFile.dir&&a.push({level:"error",stream:it(e.errorFile)});let i={level:t};if(e.redactor){let o=e.redactor;i.formatters={log:s=>o(s)}}return X=a.length>1?D(i,D.multistream(a)):D(i,a[0].stream),ut=!0,X}function it(e){let t=e.dir;zt(t)||Zt(t,{recursive:!0});let r=e.stem??"swarmai",a=e.rotateAtBytes??10*1024*1024,n=e.retentionDays??14,i=c=>{try{re(c,384)}catch{}},o=ot(t,r),s=J(o,{flags:"a"});i(o);let u=j(),l=c=>{let g=j();if(g!==u){s.end(),u=g,o=ot(t,r),s=J(o,{flags:"a"}),i(o),ae(t,r,n);return}if(a>0){let B=0;try{B=st(o).size}catch{}if(B+c>a){s.end();let y=new Date().toISOString().replace(/[:.]/g,"-").slice(0,19),v=Y(t,`${r}-${u}-${y}.log`);try{Vt(o,v),i(v)}catch{}s=J(o,{flags:"a"}),i(o)}}};return{write(c){let g=typeof c=="string"?Buffer.byteLength(c):c.byteLength;l(g),s.write(c)}}}function j(e=new Date){return e.toISOString().slice(0,10)}function ot(e,t){return Y(e,`${t}-${j()}.log`)}function ae(e,t,r){if(r<=0)return;let a=Date.now()-r*864e5;try{for(let n of te(e))if(n.startsWith(t+"-")&&n.endsWith(".log"))try{let i=Y(e,n);st(i).mtimeMs<a&&ee(i)}catch{}}catch{}}var E=new Proxy({},{get(e,t){return ut||ne({}),X[t]}});import{z as T}from"zod";var H=T.object({rpcUrl:T.string().url().default("http://127.0.0.1:8080").transform(e=>e.replace(/\/+$/,"")),account:T.string().regex(/^\+[1-9]\d{6,14}$/,"account must be an E.164 number, e.g. +6281234567890"),respondToMentions:T.boolean().default(!0),markRead:T.boolean().default(!0),typingIndicator:T.boolean().default(!0),reconnectBaseBackoffMs:T.number().int().positive().default(1e3),reconnectMaxBackoffMs:T.number().int().positive().default(6e4),replyTtlSec:T.number().int().positive().default(1800),maxDownloadBytes:T.number().int().positive().default(25*1024*1024),selfDisplayName:T.string().optional()}),z=T.object({});import{EventEmitter as ie}from"node:events";var C=class extends Error{constructor(t,r,a){super(r),this.code=t,this.data=a}code;data},oe=-32601,Q=class extends ie{config;fetchImpl;status="idle";self=null;multiAccount=!0;groups=new Map;groupsRefreshedAt=0;consecutiveFailures=0;stopRequested=!1;abort=null;loop=null;nextId=1;constructor(t){super(),this.config=t.config,this.fetchImpl=t.fetchImpl??((r,a)=>globalThis.fetch(r,a))}getStatus(){return this.status}getSelf(){return this.self}groupName(t){return this.groups.get(t)??null}async rpc(t,r={}){let a=await this.fetchImpl(`${this.config.rpcUrl}/api/v1/rpc`,{method:"POST",headers:{"content-type":"application/json"},body:JSON.stringify({jsonrpc:"2.0",id:this.nextId++,method:t,params:this.multiAccount?{account:this.config.account,...r}:r})}),n=await a.text(),i=null;try{i=n?JSON.parse(n):null}catch{i=null}if(i?.error)throw new C(i.error.code,`${t}: ${i.error.message}`,i.error.data);if(!a.ok)throw new C(a.status,`${t}: HTTP ${a.status}`);return i?.result}async start(){this.stopRequested=!1,this.setStatus("connecting"),this.emit("connecting");let t=await this.fetchImpl(`${this.config.rpcUrl}/api/v1/check`).catch(r=>{throw new Error(`signal: signal-cli daemon not reachable at ${this.config.rpcUrl} (${r instanceof Error?r.message:String(r)}) \u2014 start it with \`signal-cli daemon --http 127.0.0.1:8080\``)});if(!t.ok)throw new Error(`signal: ${this.config.rpcUrl}/api/v1/check returned ${t.status}`);try{if(!(await this.rpc("listAccounts")??[]).some(a=>a?.number===this.config.account)){let a=`${this.config.account} is not linked on this signal-cli daemon \u2014 run \`swarmai signal pair\``;this.setStatus("session-expired"),this.emit("session-expired",{detail:a});return}}catch(r){if(!(r instanceof C&&r.code===oe))throw r;this.multiAccount=!1}this.self={number:this.config.account,uuid:null};try{let[r]=await this.rpc("getUserStatus",{recipient:[this.config.account]})??[];r?.uuid&&(this.self.uuid=r.uuid)}catch{}await this.refreshGroups(!0),this.loop=this.run()}async refreshGroups(t=!1){if(!(!t&&Date.now()-this.groupsRefreshedAt<6e4)){this.groupsRefreshedAt=Date.now();try{for(let r of await this.rpc("listGroups")??[])r?.id&&this.groups.set(r.id,r.name||null)}catch(r){E.debug({err:r instanceof Error?r.message:String(r)},"signal: listGroups failed")}}}async run(){for(;!this.stopRequested;)try{if(await this.stream(),this.stopRequested)break;throw new Error("event stream closed by the daemon")}catch(t){if(this.stopRequested)break;let r=t instanceof Error?t.message:String(t);this.consecutiveFailures+=1;let a=Math.round(Math.min(this.config.reconnectBaseBackoffMs*Math.pow(2,this.consecutiveFailures-1),this.config.reconnectMaxBackoffMs)*(.8+Math.random()*.4));this.setStatus("reconnecting"),this.emit("disconnected",{reason:"transient",detail:r}),this.emit("reconnecting",{attempt:this.consecutiveFailures,delayMs:a}),await new Promise(n=>{let i=()=>(clearTimeout(o),this.off("stopping",i),n()),o=setTimeout(i,a);this.on("stopping",i)})}}async stream(){let t=this.multiAccount?`?account=${encodeURIComponent(this.config.account)}`:"";this.abort=new AbortController;let r=await this.fetchImpl(`${this.config.rpcUrl}/api/v1/events${t}`,{headers:{accept:"text/event-stream"},signal:this.abort.signal});if(!r.ok||!r.body)throw new Error(`GET /api/v1/events returned ${r.status}`);this.consecutiveFailures=0,this.setStatus("connected"),this.emit("connected",{self:this.self});let a=new TextDecoder,n="";for await(let i of r.body){n+=a.decode(i,{stream:!0});let o;for(;(o=n.search(/\r?\n\r?\n/))>=0;){let s=n.slice(0,o);n=n.slice(o).replace(/^\r?\n\r?\n/,"");let u=s.split(/\r?\n/).filter(l=>l.startsWith("data:")).map(l=>l.slice(5).replace(/^ /,"")).join(`
+`);u&&await this.dispatch(u)}}}async dispatch(t){let r;try{r=JSON.parse(t)}catch{E.debug({sample:t.slice(0,120)},"signal: unparseable event skipped");return}let a=r?.method==="receive"?r.params:r,n=a?.envelope;if(!n?.dataMessage)return;let i=n.dataMessage.groupInfo?.groupId;i&&!this.groups.has(i)&&await this.refreshGroups(),this.emit("message",{envelope:n})}async send(t,r){return(await this.rpc("send",{...U(t),...r}))?.timestamp??null}async react(t,r){await this.rpc("sendReaction",{...U(t),emoji:r.emoji,targetAuthor:r.targetAuthor,targetTimestamp:r.targetTimestamp,...r.remove?{remove:!0}:{}})}async setTyping(t,r){try{await this.rpc("sendTyping",{...U(t),...r?{}:{stop:!0}})}catch{}}async markRead(t,r){try{await this.rpc("sendReceipt",{recipient:[t],targetTimestamp:[r],type:"read"})}catch{}}async download(t,r){let a=await this.rpc("getAttachment",{id:t,...U(r)}),n=typeof a=="string"?a:a?.data;if(typeof n!="string")throw new Error("getAttachment: unexpected response shape");return Buffer.from(n,"base64")}async stop(){this.stopRequested=!0,this.emit("stopping"),this.abort?.abort();try{await this.loop}catch{}this.setStatus("idle"),this.emit("disconnected",{reason:"stopped"})}setStatus(t){this.status=t}};function U(e){return e.groupId?{groupId:e.groupId}:{recipient:[e.recipient]}}function se(e){let t=(e??"").toLowerCase();return t.startsWith("image/")?"image":t.startsWith("video/")?"video":t.startsWith("audio/")?"audio":"file"}function lt(e){return(Array.isArray(e)?e:[]).filter(t=>t&&typeof t.id=="string").map(t=>({kind:se(t.contentType),mimeType:t.contentType||"application/octet-stream",...t.filename?{filename:t.filename}:{}}))}function ct(e,t){if(!Array.isArray(t)||t.length===0)return e;let r=Array.from(e),a=r.slice();for(let n of[...t].sort((i,o)=>o.start-i.start))typeof n.start!="number"||n.start<0||n.start>=r.length||a.splice(n.start,n.length||1,`@${n.name||n.number||n.uuid||"someone"}`);return a.join("")}function G(e,t,r){return!!e&&(!!t&&t===e.number||!!r&&r===e.uuid)}function ft(e,t,r){return t?(e.mentions??[]).some(a=>G(t,a.number,a.uuid))||e.quote&&G(t,e.quote.authorNumber??e.quote.author,e.quote.authorUuid)?!0:!!t.displayName&&r.toLowerCase().includes(`@${t.displayName.toLowerCase()}`):!1}function F(e){return e.sourceUuid??e.sourceNumber??e.source??null}function ht(e,t,r,a){let n=t.dataMessage,i=F(t);if(!n||!i||G(r,t.sourceNumber,t.sourceUuid))return null;let o=n.reaction,s=lt(n.attachments),u=typeof n.message=="string"?ct(n.message,n.mentions):"",l={},c=n.groupInfo?.groupId;if(o){if(o.isRemove||!G(r,o.targetAuthorNumber??o.targetAuthor,o.targetAuthorUuid))return null;u=`[reaction ${o.emoji}]`,l.reaction={emoji:o.emoji,targetTimestamp:o.targetSentTimestamp}}return!u&&!s.length?null:(l.chatType=c?"group":"private",c&&(l.groupChat=!0,l.groupId=c,a&&(l.groupName=a)),l.messageTimestamp=n.timestamp??t.timestamp,n.quote?.id&&(l.replyToTimestamp=n.quote.id),(o||ft(n,r,u))&&(l.mentioned=!0),{channelId:e,from:i,body:u,attachments:s.length?s:void 0,raw:t,receivedAt:t.timestamp?new Date(t.timestamp):new Date,senderProfile:{rawId:i,...t.sourceNumber?{phoneNumber:t.sourceNumber}:{},...t.sourceName?{displayName:t.sourceName}:{}},flags:l})}async function dt(e,t,r,a){if(!r?.length)return r;let n=t.dataMessage.attachments.filter(u=>u&&typeof u.id=="string"),i=t.dataMessage.groupInfo?.groupId,o=i?{groupId:i}:{recipient:F(t)},s=[];for(let[u,l]of r.entries()){let c=n[u]?.size;if(typeof c=="number"&&c>a){E.info({size:c,maxBytes:a},"signal: inbound attachment over the download cap \u2014 passing metadata only"),s.push(l);continue}try{let g=await e.download(n[u].id,o);s.push(g.byteLength>a?l:{...l,data:new Uint8Array(g)})}catch(g){E.warn({err:g instanceof Error?g.message:String(g)},"signal: attachment download failed \u2014 passing metadata only"),s.push(l)}}return s}var gt=104857600,ue=/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;function mt(e){if(!e.mimeType||typeof e.mimeType!="string")return{ok:!1,detail:"attachment.mimeType is required"};let t=e.mimeType.toLowerCase();switch(e.kind){case"image":case"video":case"audio":if(!t.startsWith(`${e.kind}/`))return{ok:!1,detail:`${e.kind} kind expects ${e.kind}/*, got ${e.mimeType}`};break;case"file":break;default:return{ok:!1,detail:`unsupported attachment kind: ${e.kind??"unset"}`}}return!e.data&&!e.url?{ok:!1,detail:"attachment must supply either data or url"}:{ok:!0}}async function pt(e,t){if(e.data)return Buffer.isBuffer(e.data)?e.data:Buffer.from(e.data);if(!e.url)throw new Error("attachment has neither data nor url");let r=await(t??(a=>globalThis.fetch(a)))(e.url);if(!r.ok)throw new Error(`fetch ${e.url} returned ${r.status}`);return Buffer.from(await r.arrayBuffer())}function Z(e,t){let r=e.trim();return r.startsWith("group:")?r.length>6?{groupId:r.slice(6)}:null:!/^\+[1-9]\d{6,14}$/.test(r)&&!ue.test(r)?null:t?.groupId?{groupId:t.groupId,quote:{timestamp:t.timestamp,author:r}}:{recipient:r}}function le(e,t,r){return`data:${t}${r?`;filename=${r.replace(/[;,]/g,"_")}`:""};base64,${e.toString("base64")}`}async function vt(e,t){if(t.channelId!==e.channelId)return{ok:!1,detail:`channelId mismatch: got ${t.channelId}, expected ${e.channelId}`};let r=(t.attachments?.length??0)>0;if((!t.body||t.body.length===0)&&!r&&!t.reaction)return{ok:!1,detail:"empty body \u2014 refusing to send"};let a=e.contextFor?.(t.to)??null,n=Z(t.to,a);if(!n)return{ok:!1,detail:`cannot resolve recipient from "${t.to}"`};let{client:i}=e;if(t.reaction){let s=t.reaction.targetTimestamp??a?.timestamp,u=t.reaction.targetAuthor??(n.groupId?a?.author:n.recipient);if(!s||!u)return{ok:!1,detail:`no message from "${t.to}" to react to`};try{await i.react(n,{emoji:t.reaction.emoji,targetAuthor:u,targetTimestamp:s,remove:t.reaction.remove})}catch(l){return{ok:!1,detail:l instanceof Error?l.message:String(l)}}if((!t.body||t.body.length===0)&&!r)return{ok:!0}}let o=[];for(let s of t.attachments??[]){let u=mt(s);if(!u.ok)return{ok:!1,detail:u.detail};let l;try{l=await pt(s,e.fetchImpl)}catch(c){return{ok:!1,detail:`media fetch failed: ${c instanceof Error?c.message:String(c)}`}}if(l.byteLength>104857600)return{ok:!1,detail:`attachment exceeds size cap (${(l.byteLength/1048576).toFixed(1)}MB > ${(104857600/1048576).toFixed(1)}MB)`};o.push(le(l,s.mimeType,s.filename))}if(e.onBeforeSend)try{await e.onBeforeSend(n)}catch{}try{let s=await i.send(n,{message:t.body??"",...o.length?{attachments:o}:{},...n.quote?.timestamp?{quoteTimestamp:n.quote.timestamp,quoteAuthor:n.quote.author}:{}});if(e.onAfterSend)try{await e.onAfterSend(n)}catch{}return{ok:!0,...s?{messageId:String(s)}:{}}}catch(s){return{ok:!1,detail:s instanceof Error?s.message:String(s)}}}async function Ft(e,t={}){let r=t.stream??process.stderr,a=null;try{a=await Promise.resolve().then(()=>Yt(Qt())),a=a.default??a}catch{a=null}if(!a){let n=`[QR pairing \u2014 install qrcode-terminal to render ASCII art]
+Raw link: ${e}
+Or paste it into any QR generator and scan the result.
+`;t.onRender?t.onRender(e,n):r.write(n);return}await new Promise(n=>{a.generate(e,{small:t.small??!0},i=>{t.onRender?t.onRender(e,i):r.write(i+`
+`),n()})})}async function Gt(e,t,r,a,n){let i=await e(`${t}/api/v1/rpc`,{method:"POST",headers:{"content-type":"application/json"},body:JSON.stringify({jsonrpc:"2.0",id:r,method:r,params:a}),...n?{signal:n}:{}}),o=await i.json().catch(()=>null);if(o?.error)throw new Error(`${r}: ${o.error.message}`);if(!i.ok)throw new Error(`${r}: HTTP ${i.status}`);return o?.result??{}}async function we(e={}){let t=(e.rpcUrl??"http://127.0.0.1:8080").replace(/\/+$/,""),r=e.fetchImpl??((u,l)=>globalThis.fetch(u,l)),a=e.timeoutMs??18e4,n;try{n=await Gt(r,t,"startLink",{})}catch(u){throw new Error(`signal-cli daemon not reachable at ${t} (${u instanceof Error?u.message:String(u)}). Start it first: \`signal-cli daemon --http 127.0.0.1:8080\``)}let i=n.deviceLinkUri;if(typeof i!="string"||!i.startsWith("sgnl://"))throw new Error("startLink: daemon did not return a device link URI");await Ft(i,e),e.onInfo?.("Waiting for the scan\u2026");let o=new AbortController,s=setTimeout(()=>o.abort(),a);try{let u=await Gt(r,t,"finishLink",{deviceLinkUri:i,deviceName:e.deviceName??"SwarmAI"},o.signal),l=u.number??u.account;if(typeof l!="string")throw new Error("finishLink: daemon did not report the linked number");return E.info({account:l},"signal: device linked"),{account:l,rpcUrl:t}}catch(u){throw o.signal.aborted?new Error(`QR was not scanned within ${Math.round(a/1e3)}s`):u}finally{clearTimeout(s)}}var ye={dm:!0,group:!0,thread:!1,reaction:!0,edit:!1,delete:!1,mediaImage:!0,mediaVideo:!0,mediaAudio:!0,voiceMemo:!0,voiceCall:!1,typing:!0,readReceipt:!0,formatting:"plain",maxMessageBytes:2e3,maxAttachmentBytes:104857600,rateLimit:{perMinute:20,perHour:300}},$="signal";function Ee(e={}){let t=!1,r=null,a=null,n=null,i=null,o=new Map,s=f=>{i=f,e.onConnectionEvent?.(f)},u=f=>{let d=o.get(f);return d&&Date.now()-d.at<=r.replyTtlSec*1e3?d:null},l=Promise.resolve(),c=f=>{l=l.then(()=>g(f))},g=async({envelope:f})=>{try{if(!a||!r)return;let d={...n.getSelf(),...e.selfDisplayName||r.selfDisplayName?{displayName:e.selfDisplayName??r.selfDisplayName}:{}},h=f.dataMessage.groupInfo?.groupId,p=ht($,f,d,h?n.groupName(h):null);if(!p)return;o.set(p.from,{...h?{groupId:h}:{},timestamp:p.flags.messageTimestamp,author:f.sourceNumber??p.from,at:Date.now()}),o.size>500&&o.delete(o.keys().next().value),(!(p.flags.groupChat===!0)||!r.respondToMentions||p.flags.mentioned)&&(p.attachments=await dt(n,f,p.attachments,r.maxDownloadBytes),await a(p)),e.onEvent&&await e.onEvent(p),r.markRead&&!p.flags.reaction&&await n.markRead(F(f),p.flags.messageTimestamp)}catch(d){E.warn({err:d instanceof Error?d.message:String(d)},"signal: inbound handler threw")}},B={id:$,displayName:"Signal",description:"Signal via a local signal-cli daemon (JSON-RPC over HTTP), linked as a secondary device. DMs, groups, attachments and reactions.",version:"0.1.0",kind:"both",defaultDmPolicy:"pairing",features:ye,authSchema:z,configSchema:H,async start(f,d){r=H.parse(f.config??{}),a=d,n=new Q({config:r,...e.fetchImpl?{fetchImpl:e.fetchImpl}:{}}),n.on("connecting",()=>s({kind:"connecting"})),n.on("connected",({self:h})=>{s({kind:"connected",self:h}),E.info({account:h?.number,multiAccount:n.multiAccount},"signal: connected")}),n.on("reconnecting",({attempt:h,delayMs:p})=>s({kind:"reconnecting",attempt:h,delayMs:p})),n.on("disconnected",h=>s({kind:"disconnected",reason:h.reason,...h.detail?{detail:h.detail}:{}})),n.on("session-expired",h=>{s({kind:"session-expired",...h.detail?{detail:h.detail}:{}}),E.warn({detail:h.detail},"signal: account not linked on the daemon \u2014 run `swarmai signal pair`")}),n.on("message",c),await n.start(),t=!0},async stop(){n&&(await n.stop(),n=null),t=!1,a=null},async healthCheck(){if(!t||!n)return{status:"down",detail:"not started"};let f=n.getStatus();return f==="connected"?{status:"ok"}:f==="connecting"||f==="reconnecting"?{status:"degraded",detail:f}:{status:"down",detail:f}},async send(f){if(!t||!n||!r)throw new Error("signal channel not started");let d=await vt({client:n,channelId:$,contextFor:u,...e.fetchImpl?{fetchImpl:e.fetchImpl}:{},...r.typingIndicator?{onBeforeSend:h=>n.setTyping(h,!0),onAfterSend:h=>n.setTyping(h,!1)}:{}},f);if(!d.ok)throw new Error(`signal send failed: ${d.detail??"unknown"}`)}},y={id:$,kind:"push",authSchema:z,configSchema:H,async healthCheck(){if(!t||!n)return"down";let f=n.getStatus();return f==="connected"?"ok":f==="session-expired"?"down":"degraded"},async webhook(){return[]}};async function v(f){if(!n||!r?.typingIndicator)return;let d=Z(f,u(f));d&&await n.setTyping(d,!0)}async function P(f,d,h={}){return B.send({channelId:$,to:f,body:"",reaction:{emoji:d,...h}})}function _(){return Promise.resolve({status:405,body:'{"error":"signal has no webhook"}',inbound:[]})}return{channel:B,source:y,handleWebhook:_,sendTyping:v,react:P,getClient:()=>n,_lastEvent:()=>i}}function Ve(e={}){return Ee(e).source}export{gt as MEDIA_SIZE_CAP,ye as SIGNAL_FEATURES,z as SignalAuthSchema,Q as SignalClient,H as SignalConfigSchema,C as SignalRpcError,Ve as createSignalMonitorSource,Ee as createSignalPlugin,lt as decodeMedia,ft as detectMention,ct as expandMentions,ht as normaliseInbound,Ft as renderQr,pt as resolveMediaBuffer,Z as resolveTarget,we as runPairFlow,vt as sendOutbound,mt as validateAttachment};